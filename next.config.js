@@ -1,6 +1,10 @@
+// BUILD_TARGET picks the deployment shape:
+//   static (default) — `out/` for Netlify; /api/* is served by netlify/functions/api.ts
+//   server           — `next start` with the app/api route handlers
+const target = process.env.BUILD_TARGET === 'server' ? 'server' : 'static';
+
 /** @type {import('next').NextConfig} */
 const nextConfig = {
-  output: 'export',
   trailingSlash: true,
   images: {
     unoptimized: true,
@@ -8,13 +12,20 @@ const nextConfig = {
   experimental: {
     appDir: true,
   },
-  // Disable server-side features for static export
-  async rewrites() {
-    return [];
-  },
-  async redirects() {
-    return [];
-  },
+  ...(target === 'static'
+    ? {
+        output: 'export',
+        // Route handlers (route.ts) cannot be exported; leaving .ts out of the
+        // page extensions drops them from the static build. Pages are .tsx.
+        pageExtensions: ['tsx', 'jsx'],
+      }
+    : {
+        // Shared reports live at /r/<id>; the page reads the id from the query.
+        // Static builds get the same rewrite from netlify.toml.
+        async rewrites() {
+          return [{ source: '/r/:id', destination: '/r/?id=:id' }];
+        },
+      }),
 }
 
 module.exports = nextConfig